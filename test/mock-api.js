@@ -0,0 +1,213 @@
+// ============================================================================
+// MOCK SUBWAY BUILDER API (offline stand-in for window.SubwayBuilderAPI)
+// ============================================================================
+//
+// Works in Node (module.exports) and in a browser console
+// (window.createMockSubwayBuilderAPI). Returns the fake `api` plus controls
+// for driving it: fire hooks by hand, inspect/poke the in-memory game state.
+//
+// Hook names beyond the ones LifecycleMonitor subscribes to are only
+// illustrative; pass `hookNames` to mirror a specific game build.
+
+(function(root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.createMockSubwayBuilderAPI = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function() {
+    'use strict';
+
+    const DEFAULT_HOOK_NAMES = [
+        'onGameInit',
+        'onCityLoad',
+        'onMapReady',
+        'onGameLoaded',
+        'onGameSaved',
+        'onDemandChange',
+        'onDayChange',
+        'onRouteCreated',
+        'onRouteDeleted',
+        'onTrainSpawned'
+    ];
+
+    // Just enough of React for APITestSuite.init() and renderTestPanel()
+    function createReactStub() {
+        return {
+            createElement: (type, props, ...children) => ({ type, props: props || {}, children }),
+            useReducer: (reducer, initial) => [initial, () => {}],
+            useEffect: () => {},
+            useState: (initial) => [initial, () => {}]
+        };
+    }
+
+    // Storage values go through JSON, like a persisted store would
+    function serialize(value) {
+        return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+    }
+
+    // Minimal DOM versions of the api.ui primitives; each returns an unregister function
+    function createUIPrimitives(document) {
+        function mount(id, html, bind) {
+            const el = document.createElement('div');
+            el.setAttribute('data-mod-id', id);
+            el.innerHTML = html;
+            bind(el);
+            document.body.appendChild(el);
+            return () => el.remove();
+        }
+
+        return {
+            addButton: ({ id, label, onClick }) => mount(id, `<button>${label}</button>`, (el) => {
+                el.querySelector('button').addEventListener('click', () => onClick());
+            }),
+            addToggle: ({ id, label, defaultValue, onChange }) => mount(id,
+                `<label><input type="checkbox" ${defaultValue ? 'checked' : ''}>${label}</label>`, (el) => {
+                    const input = el.querySelector('input');
+                    input.addEventListener('change', () => onChange(input.checked));
+                }),
+            addSlider: ({ id, label, min, max, step, defaultValue, onChange }) => mount(id,
+                `<label>${label}</label><input type="range" min="${min}" max="${max}" step="${step}" value="${defaultValue}">`, (el) => {
+                    const input = el.querySelector('input');
+                    input.addEventListener('input', () => onChange(input.value));
+                })
+        };
+    }
+
+    /**
+     * @param {Object} options
+     * @param {string[]} options.hookNames - Hooks to expose on api.hooks
+     * @param {Object} options.state - Initial game state overrides
+     * @param {Object} options.React - React implementation for api.utils.React
+     * @param {Document} options.document - Enables DOM-rendering api.ui primitives (addButton, addToggle, addSlider)
+     * @param {Function} options.onReload - Called by reloadMods() after dropping subscribers, to re-run the mod
+     * @returns {{ api, state, fire, subscriberCount, panels, storage, loadCity, newGame, loadSave, advanceDay }}
+     */
+    function createMockAPI(options = {}) {
+        const hookNames = options.hookNames || DEFAULT_HOOK_NAMES;
+        const subscribers = {};
+        const storage = new Map();
+        const panels = [];
+
+        const DEFAULT_STARTING_MONEY = 3_000_000_000;
+        const state = {
+            budget: DEFAULT_STARTING_MONEY,
+            day: 0,
+            paused: true,
+            speed: 'normal',
+            speedMultipliers: {},
+            constants: {},
+            routes: [],
+            stations: [],
+            trains: [],
+            lineMetrics: [],
+            saveName: null,
+            ...options.state
+        };
+
+        const hooks = {};
+        hookNames.forEach(name => {
+            subscribers[name] = [];
+            hooks[name] = (callback) => {
+                subscribers[name].push(callback);
+            };
+        });
+
+        const api = {
+            hooks,
+
+            gameState: {
+                getRoutes: () => state.routes,
+                getStations: () => state.stations,
+                getTrains: () => state.trains,
+                getLineMetrics: () => state.lineMetrics,
+                getBudget: () => state.budget,
+                getCurrentDay: () => state.day,
+                isPaused: () => state.paused,
+                getGameSpeed: () => state.speed,
+                getCurrentSaveName: () => state.saveName
+            },
+
+            actions: {
+                setPause: (paused) => { state.paused = paused; },
+                setSpeed: (speed) => { state.speed = speed; },
+                setMoney: (amount) => { state.budget = amount; },
+                setSpeedMultiplier: (speed, multiplier) => { state.speedMultipliers[speed] = multiplier; }
+            },
+
+            storage: {
+                get: async (key) => serialize(storage.get(key)),
+                set: async (key, value) => { storage.set(key, serialize(value)); },
+                delete: async (key) => { storage.delete(key); }
+            },
+
+            ui: {
+                addFloatingPanel: (config) => { panels.push(config); },
+                ...(options.document ? createUIPrimitives(options.document) : {})
+            },
+
+            utils: {
+                React: options.React || createReactStub()
+            },
+
+            modifyConstants: (constants) => {
+                Object.assign(state.constants, constants);
+            },
+
+            reloadMods: async () => {
+                hookNames.forEach(name => {
+                    subscribers[name] = [];
+                });
+                if (options.onReload) await options.onReload();
+            }
+        };
+
+        function fire(name, ...args) {
+            if (!subscribers[name]) {
+                throw new Error(`Unknown hook: ${name}`);
+            }
+            subscribers[name].forEach(callback => callback(...args));
+        }
+
+        // Hook sequences as the game fires them
+        function loadCity(cityCode) {
+            fire('onCityLoad', cityCode);
+            fire('onGameInit');
+            fire('onMapReady');
+        }
+
+        // A new game starts with STARTING_MONEY, as set through modifyConstants()
+        function newGame(cityCode = 'NYC') {
+            state.saveName = null;
+            state.budget = state.constants.STARTING_MONEY ?? DEFAULT_STARTING_MONEY;
+            loadCity(cityCode);
+        }
+
+        function loadSave(name, cityCode = 'NYC') {
+            state.saveName = name;
+            loadCity(cityCode);
+            fire('onGameLoaded', name);
+        }
+
+        function advanceDay() {
+            state.day++;
+            if (subscribers.onDayChange) fire('onDayChange', state.day);
+        }
+
+        return {
+            api,
+            state,
+            fire,
+            subscriberCount: (name) => subscribers[name]?.length ?? 0,
+            panels,
+            storage,
+            loadCity,
+            newGame,
+            loadSave,
+            advanceDay
+        };
+    }
+
+    createMockAPI.DEFAULT_HOOK_NAMES = DEFAULT_HOOK_NAMES;
+    return createMockAPI;
+});
@@ -0,0 +1,1134 @@
+// ============================================================================
+// OFFLINE TEST RUNNER (Node + jsdom)
+// ============================================================================
+//
+// Loads index.js into a fresh jsdom window per test, with the mock API from
+// mock-api.js installed as window.SubwayBuilderAPI, and checks the monitor's
+// state machine, scenario detection and duplicate-hook error detection.
+//
+// Usage:
+//   npm install
+//   npm test                    (VERBOSE=1 to see the mod's console output)
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const assert = require('assert');
+const { JSDOM, VirtualConsole } = require('jsdom');
+const { IDBFactory } = require('fake-indexeddb');
+const createMockAPI = require('./mock-api');
+
+const SOURCE = fs.readFileSync(path.join(__dirname, '..', 'index.js'), 'utf8');
+const VERBOSE = Boolean(process.env.VERBOSE);
+
+const tests = [];
+
+function test(name, fn) {
+    tests.push({ name, fn });
+}
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+async function waitFor(predicate, timeout = 2000) {
+    const start = Date.now();
+    while (!predicate()) {
+        if (Date.now() - start > timeout) {
+            throw new Error(`waitFor timed out after ${timeout}ms`);
+        }
+        await new Promise(resolve => setTimeout(resolve, 5));
+    }
+}
+
+/** Resolves after the next animation frame, once the monitor's batched renders ran */
+function nextFrame(window) {
+    return new Promise(resolve => window.requestAnimationFrame(resolve));
+}
+
+/**
+ * Boot the mod in a fresh window and wait for the monitor to see the API.
+ * Pass another window's `indexedDB` to simulate a later page load.
+ * @returns {{ dom, window, document, mock, monitor, suite }}
+ */
+async function loadMod(mockOptions = {}, { indexedDB = new IDBFactory() } = {}) {
+    // Uncaught errors inside the window are reported, except during teardown
+    // when the monitor's observers (and pending IndexedDB callbacks) fire
+    // against a document that's going away
+    const virtualConsole = new VirtualConsole();
+    const context = { closing: false };
+    virtualConsole.on('jsdomError', (error) => {
+        if (!context.closing) console.error(error);
+    });
+
+    const dom = new JSDOM('<!DOCTYPE html><body></body>', {
+        url: 'http://localhost/',
+        runScripts: 'outside-only',
+        pretendToBeVisual: true,
+        virtualConsole
+    });
+    const { window } = dom;
+
+    window.Element.prototype.scroll = () => {}; // not implemented by jsdom
+    window.indexedDB = indexedDB; // nor is IndexedDB
+    window.confirm = () => true;
+    const quiet = VERBOSE ? {} : { log() {}, info() {} };
+    window.console = { ...console, ...quiet, error: (...args) => context.closing || console.error(...args) };
+
+    // reloadMods() re-runs the script in its own scope, like a fresh module
+    const mock = createMockAPI({
+        document: window.document,
+        onReload: () => new window.Function(SOURCE)(),
+        ...mockOptions
+    });
+    window.SubwayBuilderAPI = mock.api;
+    window.eval(SOURCE);
+
+    const monitor = window.LifecycleMonitor;
+    await waitFor(() => monitor.getCurrentState() === monitor.STATES.API_READY);
+
+    return Object.assign(context, { dom, window, document: window.document, mock, monitor, suite: window.APITestSuite });
+}
+
+// Copy a value out of the jsdom realm so deepStrictEqual compares plain data
+function plain(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+function errorMessages(monitor) {
+    return plain(monitor.getEvents().filter(e => e.isError).map(e => e.message));
+}
+
+function click(window, element) {
+    element.dispatchEvent(new window.MouseEvent('click', { bubbles: true }));
+}
+
+// Markup matching SelectorRegistry's default ('*') selectors
+function renderMainMenu(document) {
+    document.body.insertAdjacentHTML('beforeend', `
+        <main class="justify-center"><button id="new-game">New Game</button></main>
+    `);
+}
+
+function renderSaveBlock(document, saveName, { inSaveMenu = false } = {}) {
+    const block = `
+        <div class="relative panel-blur">
+            <div class="text-base font-black">${saveName}</div>
+            <button class="load-button">Load</button>
+        </div>
+    `;
+    document.body.insertAdjacentHTML('beforeend',
+        inSaveMenu ? `<div data-mod-id="save-menu">${block}</div>` : block);
+    return document.body.lastElementChild.querySelector('.load-button');
+}
+
+/**
+ * A clickable stand-in for the game's menus (main menu, load screen, top bar,
+ * escape menu, in-game save menu) that fires the mock's hooks like the game.
+ */
+function renderGame(window, mock, saves) {
+    const { document } = window;
+    const root = document.createElement('div');
+    document.body.appendChild(root);
+
+    const saveBlocks = () => saves.map(name => `
+        <div class="relative panel-blur">
+            <div class="text-base font-black">${name}</div>
+            <button>Load</button>
+        </div>
+    `).join('');
+
+    const screens = {
+        mainMenu: () => '<main class="justify-center"><button>New Game</button><button>Load/Save</button></main>',
+        loadScreen: () => `<main class="grid gap-8 min-h-screen">${saveBlocks()}</main>`,
+        inGame: () => '<div data-mod-id="top-bar"><button><svg class="lucide-menu"></svg></button></div>',
+        escapeMenu: () => screens.inGame() + '<div data-mod-id="escape-menu"><button>Load/Save</button><button>Main Menu</button></div>',
+        saveMenu: () => screens.inGame() + `<div data-mod-id="save-menu">${saveBlocks()}</div>`
+    };
+    const show = (screen) => { root.innerHTML = screens[screen](); };
+    const later = (fn) => window.setTimeout(fn, 10);
+
+    root.addEventListener('click', (e) => {
+        const button = e.target.closest('button');
+        const label = button?.textContent.trim();
+        if (!button) return;
+
+        if (label === 'New Game') {
+            later(() => { mock.newGame('NYC'); show('inGame'); });
+        } else if (label === 'Load') {
+            const name = button.closest('.panel-blur').querySelector('.font-black').textContent;
+            later(() => { mock.loadSave(name); show('inGame'); });
+        } else if (label === 'Load/Save') {
+            show(root.querySelector('main') ? 'loadScreen' : 'saveMenu');
+        } else if (label === 'Main Menu') {
+            show('mainMenu');
+        } else if (button.querySelector('.lucide-menu')) {
+            show('escapeMenu');
+        }
+    });
+
+    show('mainMenu');
+}
+
+// ============================================================================
+// LIFECYCLE MONITOR
+// ============================================================================
+
+test('starts in API_READY once the API appears', async ({ monitor }) => {
+    const messages = monitor.getEvents().map(e => e.message);
+    assert.ok(messages.includes('API Available'));
+    assert.ok(messages.includes('State: uninitialized → api_ready'));
+});
+
+test('new game walks CITY_LOADING → GAME_INIT → IN_GAME without errors', async ({ monitor, mock }) => {
+    const { STATES } = monitor;
+
+    mock.fire('onCityLoad', 'NYC');
+    assert.strictEqual(monitor.getCurrentState(), STATES.CITY_LOADING);
+    mock.fire('onGameInit');
+    assert.strictEqual(monitor.getCurrentState(), STATES.GAME_INIT);
+    mock.fire('onMapReady');
+    assert.strictEqual(monitor.getCurrentState(), STATES.IN_GAME);
+
+    assert.deepStrictEqual(errorMessages(monitor), []);
+    assert.deepStrictEqual(plain(monitor.getHookCalls()), { gameInit: 1, cityLoad: 1, mapReady: 1, onDemandChange: 0 });
+});
+
+test('reloading in game goes back through CITY_LOADING', async ({ monitor, mock }) => {
+    mock.loadCity('NYC');
+    mock.fire('onCityLoad', 'NYC');
+    assert.strictEqual(monitor.getCurrentState(), monitor.STATES.CITY_LOADING);
+});
+
+test('onGameInit after the map is ready is logged as unexpected', async ({ monitor, mock }) => {
+    mock.fire('onCityLoad', 'NYC');
+    mock.fire('onMapReady');
+    assert.strictEqual(monitor.getCurrentState(), monitor.STATES.IN_GAME);
+
+    mock.fire('onGameInit');
+    assert.strictEqual(monitor.getCurrentState(), monitor.STATES.IN_GAME);
+    assert.ok(monitor.getEvents().some(e => e.message === 'Game Init in unexpected state: in_game'));
+});
+
+test('duplicate onGameInit is reported as an error', async ({ monitor, mock }) => {
+    mock.loadCity('NYC');
+    mock.fire('onGameInit');
+    assert.ok(errorMessages(monitor).includes('Game Init called multiple times! (2 total)'));
+});
+
+test('duplicate onMapReady while in game is reported as an error', async ({ monitor, mock }) => {
+    mock.loadCity('NYC');
+    mock.fire('onMapReady');
+    assert.ok(errorMessages(monitor).includes('Map Ready called multiple times! (2 total)'));
+});
+
+test('onDemandChange calls are counted before and during the game', async ({ monitor, mock }) => {
+    mock.fire('onCityLoad', 'NYC');
+    mock.fire('onDemandChange', 10);
+    mock.fire('onGameInit');
+    mock.fire('onMapReady');
+    mock.fire('onDemandChange', 20);
+
+    assert.strictEqual(monitor.getHookCalls().onDemandChange, 2);
+    const messages = plain(monitor.getEvents().map(e => e.message));
+    assert.ok(messages.includes('onDemandChange fired (call #1, before game, 10 pops)'));
+    assert.ok(messages.includes('onDemandChange fired (call #2, in-game, 20 pops)'));
+});
+
+test('subscribes to every api.hooks function and tracks coverage', async ({ monitor, mock }) => {
+    mock.loadCity('NYC');
+    mock.advanceDay();
+    mock.advanceDay();
+
+    const coverage = plain(monitor.getHookCoverage());
+    assert.deepStrictEqual(Object.keys(coverage), Object.keys(mock.api.hooks).sort());
+    assert.strictEqual(coverage.onDayChange.fireCount, 2);
+    assert.deepStrictEqual(coverage.onDayChange.statesAtFire, { in_game: 2 });
+    // Recorded before the dedicated handler moves the state on
+    assert.deepStrictEqual(coverage.onGameInit.statesAtFire, { city_loading: 1 });
+    assert.ok(monitor.getEvents().some(e => e.message === 'First fire: onDayChange'));
+
+    assert.deepStrictEqual(plain(monitor.getUnfiredHooks()),
+        ['onDemandChange', 'onGameLoaded', 'onGameSaved', 'onRouteCreated', 'onRouteDeleted', 'onTrainSpawned']);
+});
+
+test('detects New Game from Menu', async ({ window, document, monitor, mock }) => {
+    renderMainMenu(document);
+    click(window, document.getElementById('new-game'));
+    mock.loadCity('NYC');
+    assert.strictEqual(monitor.getScenarios().new_game_from_menu, true);
+    assert.deepStrictEqual(plain(monitor.getSequenceResults().new_game_from_menu),
+        { status: 'pass', matched: 4, divergence: null });
+});
+
+test('detects Load Save from Menu', async ({ window, document, monitor, mock }) => {
+    click(window, renderSaveBlock(document, 'Commute'));
+    mock.loadSave('Commute');
+    assert.strictEqual(monitor.getScenarios().load_save_from_menu, true);
+    assert.strictEqual(monitor.getScenarios().new_game_from_menu, false);
+});
+
+test('detects In Game → Reload Same Save and → Load Different Save', async ({ window, document, monitor, mock }) => {
+    mock.loadSave('Commute');
+
+    click(window, renderSaveBlock(document, 'Commute', { inSaveMenu: true }));
+    mock.loadSave('Commute');
+    assert.strictEqual(monitor.getScenarios().game_reload_same_save, true);
+    assert.strictEqual(monitor.getScenarios().game_load_different_save, false);
+
+    click(window, renderSaveBlock(document, 'Rush Hour', { inSaveMenu: true }));
+    mock.loadSave('Rush Hour');
+    assert.strictEqual(monitor.getScenarios().game_load_different_save, true);
+    assert.deepStrictEqual(plain(Object.values(monitor.getSequenceResults()).map(r => r.status)), ['pass', 'pass']);
+});
+
+test('reports where a scenario sequence diverged', async ({ window, document, monitor, mock }) => {
+    click(window, renderSaveBlock(document, 'Commute'));
+    mock.fire('onCityLoad', 'NYC');
+    mock.fire('onMapReady');
+    mock.fire('onGameInit');
+    mock.state.saveName = 'Commute';
+    mock.fire('onGameLoaded', 'Commute');
+
+    const result = plain(monitor.getSequenceResults().load_save_from_menu);
+    assert.strictEqual(result.status, 'fail');
+    assert.deepStrictEqual(result.divergence,
+        { step: 3, expected: 'onGameInit', actual: 'Map Ready (call #1)', reason: 'unexpected event' });
+    assert.ok(errorMessages(monitor).some(m => m.startsWith('Sequence diverged: Load Save from Menu at step 3')));
+});
+
+test('sequence patterns support optional, repeated and time-boxed steps', async ({ monitor }) => {
+    const at = (timestamp, hook) => ({ timestamp, hook, message: hook });
+    const pattern = ['onCityLoad', 'onDemandChange*', 'onGameInit', { step: 'onMapReady+', maxGap: 100 }, 'onGameSaved?'];
+
+    const ok = monitor.matchSequence(pattern, [at(0, 'onCityLoad'), at(5, 'onGameInit'), at(50, 'onMapReady'), at(60, 'onMapReady')]);
+    assert.strictEqual(ok.status, 'pass');
+
+    const repeated = monitor.matchSequence(pattern, [at(0, 'onCityLoad'), at(1, 'onDemandChange'), at(2, 'onDemandChange'), at(3, 'onGameInit')]);
+    assert.deepStrictEqual(plain(repeated), { status: 'pending', matched: 4, divergence: null });
+
+    const late = monitor.matchSequence(pattern, [at(0, 'onCityLoad'), at(5, 'onGameInit'), at(500, 'onMapReady')]);
+    assert.deepStrictEqual(plain(late.divergence),
+        { step: 4, expected: 'onMapReady+', actual: 'onMapReady', reason: '495ms after the previous step (max 100ms)' });
+
+    const stalled = monitor.matchSequence('onCityLoad → onGameInit', [at(0, 'onCityLoad')], { maxGap: 1000, now: 2000 });
+    assert.strictEqual(stalled.divergence.reason, 'nothing within 1000ms');
+});
+
+test('timeline filters by type, text, errors and time range, and expands clicked events', async ({ window, document, monitor, mock }) => {
+    mock.loadCity('NYC');
+    mock.fire('onGameInit');
+    const messages = () => plain(monitor.getTimelineEvents().map(e => e.message));
+    const total = monitor.getEvents().length;
+
+    const filters = document.querySelector('#lifecycle-timeline-filters');
+    const search = filters.querySelector('input[type="search"]');
+    search.value = 'city load';
+    search.dispatchEvent(new window.Event('input'));
+    assert.deepStrictEqual(messages(), ['City Load: NYC (call #1)']);
+    assert.strictEqual(document.querySelector('#lifecycle-timeline-count').textContent, `1 of ${total} events`);
+
+    monitor.setTimelineFilter({ search: '' });
+    filters.querySelector('[data-filter="errors"]').click();
+    assert.deepStrictEqual(messages(), ['Game Init called multiple times! (2 total)']);
+
+    monitor.setTimelineFilter({ errorsOnly: false, types: ['transition'] });
+    assert.ok(messages().length > 0 && messages().every(m => m.startsWith('State:')), messages().join('\n'));
+    click(window, filters.querySelector('[data-type="system"]'));
+    assert.ok(messages().includes('Script Loaded'));
+
+    monitor.getEvents()[0].time = new Date(Date.now() - 10 * 60000).toISOString();
+    monitor.setTimelineFilter({ types: ['system'], range: '5m' });
+    assert.ok(!messages().includes('Script Loaded'));
+
+    monitor.setTimelineFilter({ range: 'all' });
+    const row = document.querySelector('#lifecycle-timeline [data-event-index="0"]');
+    click(window, row);
+    const details = document.querySelector('#lifecycle-timeline [data-event-index="0"] [data-event-details]').textContent;
+    assert.match(details, /state: uninitialized/);
+    assert.match(details, /context: /);
+    assert.match(details, /time: \d{4}-\d{2}-\d{2}T/);
+});
+
+test('timeline search covers more than the rendered rows', async ({ window, document, monitor }) => {
+    monitor.logEvent('Needle', 'system');
+    for (let i = 0; i < 250; i++) monitor.logEvent(`Filler ${i}`, 'system');
+    assert.ok(!document.querySelector('#lifecycle-timeline').textContent.includes('Filler'), 'renders are batched per frame');
+    await nextFrame(window);
+    assert.strictEqual(document.querySelectorAll('#lifecycle-timeline [data-event-index]').length, 200);
+    assert.match(document.querySelector('#lifecycle-timeline-count').textContent, /\(newest 200 shown\)$/);
+
+    monitor.setTimelineFilter({ search: 'needle' });
+    assert.deepStrictEqual(plain(monitor.getTimelineEvents().map(e => e.message)), ['Needle']);
+    assert.strictEqual(document.querySelectorAll('#lifecycle-timeline [data-event-index]').length, 1);
+});
+
+test('events are stored per page load, and earlier sessions can be picked and pruned', async ({ window, monitor, mock }) => {
+    const store = window.SessionStore;
+    mock.loadCity('NYC');
+    mock.fire('onGameInit');
+    await mock.api.reloadMods();
+    const reloaded = window.LifecycleMonitor;
+    await waitFor(() => reloaded !== monitor && reloaded.getEvents().some(e => e.message === 'City Load: NYC (call #1)'));
+
+    await window.SessionStore.flush();
+    const [yesterday] = plain(await window.SessionStore.listSessions());
+    assert.deepStrictEqual([yesterday.errorCount, yesterday.cities], [1, ['NYC']]);
+    assert.strictEqual(yesterday.id, store.getSessionId(), 'reloadMods() keeps the session');
+
+    // A later page load: same database, new session
+    const later = await loadMod({}, { indexedDB: window.indexedDB });
+    try {
+        const laterStore = later.window.SessionStore;
+        await later.monitor.refreshSessions();
+        const picker = later.document.querySelector('#lifecycle-session-picker');
+        assert.deepStrictEqual(plain([...picker.options].map(o => o.value)), ['live', laterStore.getSessionId(), yesterday.id]);
+        assert.match(picker.options[2].textContent, /events · 1 errors · NYC$/);
+
+        picker.value = yesterday.id;
+        picker.dispatchEvent(new later.window.Event('change'));
+        await waitFor(() => later.monitor.getTimelineEvents().length === yesterday.eventCount);
+        later.monitor.setTimelineFilter({ errorsOnly: true });
+        assert.deepStrictEqual(plain(later.monitor.getTimelineEvents().map(e => e.message)), ['Game Init called multiple times! (2 total)']);
+
+        const keep = later.document.querySelector('[data-retention="maxSessions"]');
+        keep.value = '1';
+        keep.dispatchEvent(new later.window.Event('change'));
+        await waitFor(() => picker.options.length === 2);
+        assert.deepStrictEqual(plain(await laterStore.getEvents(yesterday.id)), []);
+    } finally {
+        later.closing = true;
+        later.window.close();
+    }
+});
+
+test('exported logs import into a read-only replay, and two imports compare side by side', async ({ window, document, monitor, mock }) => {
+    let exported = null;
+    window.Blob = class { constructor(parts) { exported = parts.join(''); } };
+    window.URL.createObjectURL = () => '#';
+    window.URL.revokeObjectURL = () => {};
+
+    renderMainMenu(document);
+    click(window, document.getElementById('new-game'));
+    mock.loadCity('NYC');
+    mock.fire('onGameInit');
+    monitor.exportLogs();
+    const newGameLog = JSON.parse(exported);
+    assert.strictEqual(typeof newGameLog.events[0].timestamp, 'number');
+
+    // An export from before raw timestamps and scenario events
+    const oldLog = {
+        exportedAt: '2025-01-01T00:00:00.000Z',
+        currentState: 'IN_GAME',
+        scenarios: { load_save_from_menu: true },
+        sequences: { load_save_from_menu: { status: 'pass', matched: 5, divergence: null } },
+        events: [
+            { timestamp: '00:01.500', message: 'City Load: LON (call #1)', type: 'lifecycle', state: 'API_READY', hook: 'onCityLoad' },
+            { timestamp: '01:02.003', message: 'Map Ready (call #1)', type: 'lifecycle', state: 'GAME_INIT', hook: 'onMapReady' }
+        ]
+    };
+    assert.throws(() => monitor.importLogs('{"tests": []}'), /missing "events" array/);
+
+    const first = monitor.importLogs(exported, 'new-game.json');
+    let view = monitor.getView();
+    assert.strictEqual(view.readOnly, true);
+    assert.deepStrictEqual(plain(view.hookCalls), { gameInit: 2, cityLoad: 1, mapReady: 1, onDemandChange: 0 });
+    assert.deepStrictEqual(plain(view.scenarios.new_game_from_menu.sequence), { status: 'pass', matched: 4, divergence: null });
+    assert.strictEqual(view.errorCount, 1);
+    assert.match(document.querySelector('#lifecycle-scenarios').textContent, /✓ New Game from Menu sequence ✓/);
+    const clearButton = [...document.querySelectorAll('#lifecycle-monitor button')].find(b => b.textContent === 'Clear Log');
+    assert.strictEqual(clearButton.disabled, true);
+
+    // Live events keep flowing into the live log, not the replay
+    mock.advanceDay();
+    mock.fire('onDemandChange');
+    assert.strictEqual(monitor.getTimelineEvents().length, newGameLog.events.length);
+
+    const second = monitor.importLogs(JSON.stringify(oldLog), 'old.json');
+    view = monitor.getView();
+    assert.deepStrictEqual(plain(view.events.map(e => e.timestamp)), [1500, 62003]);
+    assert.strictEqual(view.scenarios.load_save_from_menu.detected, true);
+    assert.strictEqual(view.state, 'IN_GAME');
+
+    await monitor.refreshSessions();
+    const picker = document.querySelector('#lifecycle-session-picker');
+    assert.ok(!picker.closest('.hidden'));
+    assert.deepStrictEqual(plain([...picker.options].map(o => o.value)),
+        ['live', window.SessionStore.getSessionId(), 'import:1', 'import:2']);
+    assert.strictEqual(picker.value, 'import:2');
+
+    monitor.compareLogs(first.id, second.id);
+    assert.strictEqual(document.querySelector('#lifecycle-monitor').style.width, '800px');
+    const columns = document.querySelectorAll('#lifecycle-compare .flex-1');
+    assert.strictEqual(columns.length, 2);
+    assert.match(columns[0].textContent, /Scenario detected: New Game from Menu/);
+    assert.match(columns[1].textContent, /01:02\.003 - Map Ready/);
+    assert.ok(columns[0].querySelectorAll('.bg-yellow-500\\/20').length > 0, 'differences are highlighted');
+
+    monitor.selectTab('monitor');
+    document.querySelector('#lifecycle-monitor [data-view-name]').nextElementSibling.click();
+    await waitFor(() => monitor.getView().readOnly === false);
+    assert.ok(monitor.getTimelineEvents().some(e => e.hook === 'onDemandChange'));
+});
+
+test('comparing long logs draws only their newest events', async ({ document, monitor }) => {
+    const events = Array.from({ length: 250 }, (_, i) => ({ timestamp: i, message: `Event ${i}`, type: 'system', state: 'api_ready' }));
+    const first = monitor.importLogs({ events }, 'a.json');
+    const second = monitor.importLogs({ events: events.slice(0, 10) }, 'b.json');
+    monitor.compareLogs(first.id, second.id);
+
+    const [left, right] = document.querySelectorAll('#lifecycle-compare .flex-1');
+    assert.strictEqual(left.querySelectorAll('[data-compare-event]').length, 200);
+    assert.match(left.querySelector('[data-hidden-events]').textContent, /Newest 200 of 250 events/);
+    assert.strictEqual(right.querySelectorAll('[data-compare-event]').length, 10);
+    assert.strictEqual(right.querySelector('[data-hidden-events]'), null);
+});
+
+test('swimlane draws state segments with durations and marks hooks, user actions and errors', async ({ window, document, monitor, mock }) => {
+    renderMainMenu(document);
+    click(window, document.getElementById('new-game'));
+    mock.fire('onCityLoad', 'NYC');
+    mock.fire('onDemandChange', 10);
+    mock.fire('onGameInit');
+    mock.fire('onMapReady');
+    mock.fire('onMapReady');
+
+    const live = monitor.getSwimlane();
+    assert.deepStrictEqual(plain(live.segments.map(s => s.state)),
+        ['uninitialized', 'api_ready', 'city_loading', 'game_init', 'in_game']);
+    const lane = (name) => live.lanes.find(l => l.name === name);
+    assert.deepStrictEqual(plain(lane('onDemandChange').markers.map(m => m.state)), ['city_loading']);
+    assert.strictEqual(lane('onMapReady').markers.length, 2);
+    assert.strictEqual(lane('user actions').markers.length, 1);
+    assert.ok(lane('errors').markers.some(m => m.event.message.startsWith('Map Ready called multiple times')));
+
+    await nextFrame(window);
+    const swimlaneEl = document.querySelector('#lifecycle-swimlane');
+    assert.strictEqual(swimlaneEl.querySelectorAll('[data-state]').length, 5);
+    assert.strictEqual(swimlaneEl.querySelectorAll('[data-marker]').length,
+        live.lanes.reduce((sum, l) => sum + l.markers.length, 0));
+
+    // Durations come from the events' ISO times, and replays end at their last event
+    const time = (seconds) => new Date(Date.UTC(2025, 0, 1, 0, 0, seconds)).toISOString();
+    const transition = (seconds, state) => ({ timestamp: seconds * 1000, time: time(seconds), message: `State: → ${state}`, type: 'transition', state });
+    monitor.importLogs({
+        events: [
+            { timestamp: 0, time: time(0), message: 'API Available', type: 'api', state: 'uninitialized' },
+            transition(1, 'api_ready'),
+            transition(2, 'city_loading'),
+            transition(5, 'game_init'),
+            transition(6, 'in_game'),
+            { timestamp: 10000, time: time(10), message: 'Logs Exported', type: 'system', state: 'in_game' }
+        ]
+    });
+    const replayed = monitor.getSwimlane();
+    assert.deepStrictEqual(plain(replayed.totals),
+        { uninitialized: 1000, api_ready: 1000, city_loading: 3000, game_init: 1000, in_game: 4000 });
+    assert.match(swimlaneEl.querySelector('[data-state="city_loading"]').textContent, /CITY_LOADING · 3\.0s/);
+    assert.match(swimlaneEl.textContent, /IN_GAME 4\.0s/);
+
+    monitor.setTimelineFilter({ range: '1m' });
+    assert.strictEqual(monitor.getSwimlane().start, 0, 'a range longer than the log shows all of it');
+    assert.strictEqual(monitor.getTimelineEvents().length, 6, 'ranges count back from the last imported event, not now');
+});
+
+test('swimlane draws only the newest markers of a long log', async ({ window, document, monitor }) => {
+    for (let i = 0; i < 250; i++) monitor.logError(`Error ${i}`);
+    await nextFrame(window);
+
+    assert.strictEqual(monitor.getSwimlane().hiddenMarkers, 50);
+    assert.strictEqual(document.querySelectorAll('#lifecycle-swimlane [data-marker]').length, 200);
+    assert.ok(document.querySelector('#lifecycle-swimlane [data-hidden-markers]'));
+});
+
+test('profiler times each load phase per city and every hook callback',async ({ window, document, monitor, mock }) => {
+    const profiler = window.LifecycleProfiler;
+    mock.api.hooks.onDayChange(function slowDayChange() {
+        const until = window.performance.now() + 5;
+        while (window.performance.now() < until) { /* busy */ }
+    });
+
+    click(window, renderSaveBlock(document, 'Commute'));
+    mock.loadSave('Commute', 'NYC');
+    mock.newGame('NYC');
+    mock.loadCity('LON');
+    mock.advanceDay();
+
+    const { cities, callbacks } = profiler.getStats();
+    assert.strictEqual(cities.NYC.loads, 2);
+    assert.deepStrictEqual(plain(Object.keys(cities.NYC.phases)), [
+        'click → onCityLoad', 'onCityLoad → onGameInit', 'onGameInit → onMapReady', 'onMapReady → onGameLoaded', 'total'
+    ]);
+    assert.deepStrictEqual(plain(Object.entries(cities.NYC.phases).map(([phase, stats]) => stats.count)), [1, 2, 2, 1, 2]);
+    assert.strictEqual(cities.LON.phases.total.count, 1);
+    assert.strictEqual(profiler.percentile([5, 1, 4, 2, 3], 90), 5);
+
+    const slow = callbacks.find(entry => entry.hook === 'onDayChange' && entry.source.startsWith('slowDayChange'));
+    assert.ok(slow && slow.max >= 5, JSON.stringify(plain(callbacks)));
+    assert.ok(callbacks.every((entry, i) => i === 0 || callbacks[i - 1].p95 >= entry.p95), 'slowest p95 first');
+
+    monitor.selectTab('profiler');
+    const tab = document.querySelector('#lifecycle-profiler');
+    assert.match(tab.textContent, /NYC · 2 loads/);
+    assert.match(tab.textContent, /slowDayChange/);
+    assert.ok(document.querySelector('#lifecycle-timeline').closest('.hidden'));
+});
+
+test('invariant monitor logs violations once, with a snapshot, and takes custom invariants', async ({ window, monitor, mock }) => {
+    const invariants = window.InvariantMonitor;
+    const logged = (name) => monitor.getEvents().filter(e => e.invariant === name).map(e => e.message);
+    Object.assign(mock.state, {
+        routes: [{ id: 'r1', stationIds: ['s1'] }],
+        stations: [{ id: 's1' }],
+        trains: [{ id: 't1', routeId: 'r1' }, { id: 't2', routeId: 'gone' }],
+        lineMetrics: [{ routeId: 'r1' }]
+    });
+    invariants.addInvariant('At most one route', (sample) => sample.routes.length > 1 && `${sample.routes.length} routes`);
+    mock.loadCity('NYC');
+
+    invariants.sampleNow();
+    invariants.sampleNow();
+    assert.deepStrictEqual(plain(Object.keys(invariants.getViolations())), ['Trains reference existing routes']);
+    assert.deepStrictEqual(plain(logged('Trains reference existing routes')),
+        ['Invariant violated: Trains reference existing routes (1 train(s) on unknown routes)']);
+    assert.deepStrictEqual(plain(monitor.getEvents().find(e => e.invariant).snapshot), [{ id: 't2', routeId: 'gone' }]);
+
+    mock.state.trains.pop();
+    mock.state.day = 3;
+    mock.state.routes.push({ id: 'r2', stationIds: ['s9'] });
+    invariants.sampleNow();
+    assert.deepStrictEqual(plain(Object.keys(invariants.getViolations()).sort()),
+        ['At most one route', 'Routes reference existing stations']);
+    assert.strictEqual(logged('Trains reference existing routes').pop(), 'Invariant holds again: Trains reference existing routes');
+
+    mock.state.day = 1;
+    invariants.sampleNow();
+    assert.ok(invariants.getViolations()['Day never goes backwards']);
+});
+
+// ============================================================================
+// API TEST SUITE
+// ============================================================================
+
+test('registers its panel on onGameInit and passes storage round-trip', async ({ suite, mock }) => {
+    mock.loadCity('NYC');
+    assert.strictEqual(mock.panels.length, 1);
+    assert.strictEqual(mock.panels[0].id, 'api-test-suite');
+
+    const storageTest = suite.getTests().find(t => t.name === 'Storage round-trip');
+    const summary = await suite.enqueue(storageTest);
+    assert.strictEqual(summary.passed, true);
+});
+
+test('storage conformance cases report what the API returns, unsupported ones as warnings', async ({ suite }) => {
+    const results = [];
+    for (const test of suite.suites.storage.tests) {
+        const summary = await suite.enqueue(test);
+        results.push(...summary.records.map(r => `${r.warning ? 'WARN' : r.passed ? 'ok' : 'FAIL'} ${r.name}: ${r.details}`));
+    }
+
+    assert.deepStrictEqual(plain(results.map(line => line.replace(/\d+ms/, 'Nms').replace(/_\d+"/, '_T"'))), [
+        'ok set() and get() work: Stored and retrieved: {"foo":"bar","number":42}',
+        'ok delete() removes value: Value after delete: undefined',
+        'ok Nested object round-trips: Got {"route":{"id":"r1","stops":[{"id":"s1","at":[1.5,-2]},{"id":"s2","tags":[]}]},"deep":{"a":{"b":{"c":{"d":[true,false,null]}}}}}',
+        'ok Unicode string round-trips: Got "Ünïcödé · 地下鉄 · метро · مترو · 🚇🚉 · e\u0301 · \\u0000 · end"',
+        'WARN Date value: Stored as JSON: comes back as "2024-01-02T03:04:05.000Z"',
+        'WARN Map value: Stored as JSON: comes back as {}',
+        'ok undefined value: Preserved: undefined',
+        'WARN NaN value: Stored as JSON: comes back as null',
+        'ok 1 MB string round-trips: Round trip took Nms',
+        'ok 5 MB string round-trips: Round trip took Nms',
+        'ok 100 concurrent set() calls all land: All 100 keys read back',
+        'ok 20 concurrent writes to one key: Last write (#19) wins',
+        'ok set() replaces the whole value: Got {"a":3}',
+        'ok get() of a missing key: Returns undefined',
+        'ok delete() of a missing key: Resolves without error',
+        "WARN Key namespacing: Couldn't tell: values aren't kept in localStorage, so the backing store isn't visible to mods"
+    ]);
+});
+
+test('records a timeout for hung tests and ignores their late results', async ({ suite }) => {
+    suite.suite('offline', ({ test }) => {
+        test('hangs', (t) => new Promise(resolve => setTimeout(() => {
+            t.record('late result', true);
+            resolve();
+        }, 100)), { timeout: 20 });
+    });
+
+    const summary = await suite.enqueue(suite.suites.offline.tests[0]);
+    assert.strictEqual(summary.passed, false);
+    await new Promise(resolve => setTimeout(resolve, 150));
+
+    const names = plain(suite.categories.offline.tests.map(t => `${t.name}: ${t.details}`));
+    assert.deepStrictEqual(names, ['hangs: Timed out after 20ms']);
+});
+
+test('a timed-out test is cancelled, and tests that overlap it are marked as not isolated', async ({ suite }) => {
+    let cancelled = null;
+    suite.ABORT_GRACE = 10;
+    suite.suite('offline', ({ test }) => {
+        test('polls', (t) => t.waitFor(() => false, { timeout: 5000, interval: 5, description: 'never' })
+            .catch(error => { cancelled = error.message; }), { timeout: 20 });
+        test('ignores its signal', () => new Promise(resolve => setTimeout(resolve, 200)), { timeout: 20 });
+        test('next', () => {});
+    });
+    const [polls, stubborn, next] = suite.suites.offline.tests;
+
+    await suite.enqueue(polls);
+    assert.strictEqual(cancelled, 'Cancelled while waiting for never');
+
+    await suite.enqueue(stubborn);
+    const summary = await suite.enqueue(next);
+    assert.deepStrictEqual(plain(summary.records.map(r => [r.name, r.passed, !!r.warning, r.details])), [
+        ['next', true, false, ''],
+        ['next (isolation)', true, true, 'Not isolated: "ignores its signal" timed out and was still running']
+    ]);
+});
+
+test('disposing the suite resolves queued tests as cancelled', async ({ suite }) => {
+    suite.suite('offline', ({ test }) => {
+        test('slow', () => new Promise(resolve => setTimeout(resolve, 30)));
+        test('queued', () => {});
+    });
+    const [slow, queued] = suite.suites.offline.tests;
+    const running = suite.enqueue(slow);
+    const waiting = suite.enqueue(queued);
+    suite.dispose();
+
+    assert.strictEqual((await running).passed, true);
+    assert.deepStrictEqual(plain(await waiting), { name: 'queued', passed: false, cancelled: true, duration: 0, records: [], measurements: {} });
+    assert.strictEqual((await suite.enqueue(queued)).cancelled, true);
+});
+
+test('sandboxed tests get game state restored even when they throw', async ({ suite, mock }) => {
+    mock.state.paused = false;
+    mock.api.modifyConstants({ DEFAULT_TICKET_COST: 3 });
+
+    suite.suite('offline', ({ test }) => {
+        test('mutates', function() {
+            this.api.actions.setMoney(1);
+            this.api.actions.setSpeed('fast');
+            this.api.actions.setSpeedMultiplier('fast', 10);
+            this.api.modifyConstants({ DEFAULT_TICKET_COST: 5, STARTING_MONEY: 10 });
+            throw new Error('boom');
+        }, { sandbox: true });
+    });
+    const summary = await suite.enqueue(suite.suites.offline.tests[0]);
+
+    assert.strictEqual(mock.state.budget, 3_000_000_000);
+    assert.strictEqual(mock.state.speed, 'normal');
+    assert.strictEqual(mock.state.paused, false);
+    assert.deepStrictEqual(mock.state.speedMultipliers, { fast: 1 });
+    assert.strictEqual(mock.state.constants.DEFAULT_TICKET_COST, 3);
+
+    assert.deepStrictEqual(plain(summary.records.map(r => [r.name, r.passed, r.details])), [
+        ['mutates', false, 'boom'],
+        ['mutates (state restore)', true, "STARTING_MONEY can't be restored: it had not been set through modifyConstants() before"]
+    ]);
+});
+
+test('modifyConstants is verified, then reverted, on the next new game', async ({ suite, mock }) => {
+    const key = suite.PENDING_CONSTANTS_KEY;
+    mock.api.modifyConstants({ DEFAULT_TICKET_COST: 3 });
+    await suite.enqueue(suite.getTests().find(t => t.name === 'modifyConstants'));
+    assert.strictEqual(mock.storage.get(key).constants.STARTING_MONEY, 10_000_000_000);
+
+    mock.loadSave('Commute');
+    await new Promise(resolve => setTimeout(resolve, 20));
+    assert.ok(mock.storage.has(key), 'a loaded save keeps the check pending');
+
+    mock.newGame('NYC');
+    await waitFor(() => !mock.storage.has(key));
+
+    const id = suite.categories.modifyConstants.tests[0].details.match(/constants-\d+/)[0];
+    assert.deepStrictEqual(plain(suite.categories.modifyConstants.tests.slice(1).map(r => [r.name, r.passed, !!r.warning, r.requestId])), [
+        ['STARTING_MONEY applied to new game', true, false, id],
+        ['DEFAULT_TICKET_COST applied to new game', true, true, id]
+    ]);
+    assert.match(suite.categories.modifyConstants.tests[2].details, /^Not checked: no documented getter shows it/);
+    assert.strictEqual(mock.state.budget, 10_000_000_000);
+    assert.strictEqual(mock.state.constants.DEFAULT_TICKET_COST, 3);
+});
+
+test('waitFor helpers resolve on their condition and time out with the last value seen', async ({ document, suite, mock }) => {
+    let reads = 0;
+    assert.strictEqual(await suite.waitFor(() => ++reads, { until: n => n >= 3, interval: 1 }), 3);
+    await assert.rejects(
+        suite.waitFor(() => mock.state.budget, { until: budget => budget < 0, timeout: 30, description: 'bankruptcy' }),
+        /Timed out after 30ms waiting for bankruptcy; last value: 3000000000$/);
+
+    const dayChanged = suite.waitForHook('onDayChange', { timeout: 500 });
+    mock.advanceDay();
+    assert.strictEqual(await dayChanged, 1);
+
+    document.body.insertAdjacentHTML('beforeend', '<div data-mod-id="clock"><p class="font-mono">23:59:58</p></div>');
+    const advanced = suite.waitForGameTimeAdvance(3, { timeout: 500, interval: 5 });
+    document.querySelector('[data-mod-id="clock"] p').textContent = '00:00:02';
+    assert.strictEqual(await advanced, 4);
+});
+
+test('a failing expect on a symbol reports the mismatch instead of throwing a TypeError', async ({ window, suite }) => {
+    const symbol = window.Symbol('token');
+    assert.throws(() => suite.expect(symbol).toBe('token'), (error) => {
+        assert.ok(!(error instanceof TypeError), error.message);
+        assert.match(error.message, /Symbol\(token\)/);
+        return true;
+    });
+    assert.throws(() => suite.expect({ toJSON: () => undefined }).toBe(1), /\[object Object\]/);
+});
+
+test('repeat mode reports pass ratio, duration spread and measurements, and flags flaky tests', async ({ suite }) => {
+    let calls = 0;
+    suite.suite('offline', ({ test }) => {
+        test('steady', (t) => t.measure('value', 1));
+        test('records per item', (t) => {
+            for (let i = 0; i < calls % 3 + 1; i++) t.record('item ok', true);
+        });
+        test('wobbly', (t) => {
+            calls++;
+            t.measure('call', calls);
+            t.record('even call', calls % 2 === 0);
+            t.record('always', true);
+        });
+        test('reloads', () => {}, { tags: ['reload'] });
+    });
+
+    const reports = await suite.repeatTests(suite.suites.offline.tests, 3);
+    const [steady, perItem, wobbly] = reports;
+
+    assert.strictEqual(reports.length, 3, 'reload-tagged tests are not repeated');
+    assert.deepStrictEqual(plain([steady.runs, steady.passed, steady.flaky, steady.unstableChecks]), [3, 3, false, []]);
+    assert.deepStrictEqual(plain([perItem.flaky, perItem.unstableChecks]), [false, []], 'a check recorded a varying number of times is still stable');
+    assert.deepStrictEqual(plain([wobbly.passed, wobbly.passRatio, wobbly.flaky, wobbly.unstableChecks]), [1, 1 / 3, true, ['even call']]);
+    assert.deepStrictEqual(plain(wobbly.perRun.map(run => [run.passed, run.measurements.call, run.failedChecks])), [
+        [false, 1, ['even call']],
+        [true, 2, []],
+        [false, 3, ['even call']]
+    ]);
+    assert.strictEqual(wobbly.duration.spread, wobbly.duration.max - wobbly.duration.min);
+    assert.strictEqual(suite.repeatReports, reports);
+});
+
+test('speed calibration flags non-linear multipliers and multipliers that leak into other speeds', async ({ window, suite, mock }) => {
+    // A game clock with two bugs: multipliers cap at 10x, and fast's multiplier also applies to ultrafast
+    const RATES = { normal: 600, fast: 1800, ultrafast: 6000 };
+    let gameSeconds = 0;
+    let lastRead = window.performance.now();
+    suite.getInGameTime = () => {
+        const now = window.performance.now();
+        const { speed, speedMultipliers } = mock.state;
+        const multiplier = (speedMultipliers[speed] ?? 1) * (speed === 'ultrafast' ? speedMultipliers.fast ?? 1 : 1);
+        if (!mock.state.paused) gameSeconds += (now - lastRead) / 1000 * RATES[speed] * Math.min(multiplier, 10);
+        lastRead = now;
+        mock.state.day = Math.floor(gameSeconds / 86400);
+        return Math.floor(gameSeconds % 86400);
+    };
+    const setSpeed = mock.api.actions.setSpeed;
+    mock.api.actions.setSpeed = (speed) => {
+        if (speed !== 'slow') setSpeed(speed);
+    };
+    Object.assign(suite, { CALIBRATION_MULTIPLIERS: [1, 2, 50], CALIBRATION_SAMPLES: 2, CALIBRATION_SAMPLE_MS: 30 });
+
+    const summary = await suite.enqueue(suite.getTests().find(t => t.name === 'Speed calibration matrix'));
+    const { calibration } = suite;
+
+    assert.deepStrictEqual(plain([calibration.speeds, calibration.unsupported]), [['normal', 'fast', 'ultrafast'], ['slow']]);
+    assert.deepStrictEqual(plain(calibration.rows.filter(row => !row.linear).map(row => row.speed + '@' + row.multiplier)),
+        ['normal@50', 'fast@50', 'ultrafast@50']);
+    calibration.rows.filter(row => row.multiplier === 2).forEach(row => assert.ok(Math.abs(row.observedRatio - 2) < 0.4, row.observedRatio));
+    assert.deepStrictEqual(plain(calibration.leaks.map(leak => `${leak.speed} → ${leak.affected}`)), ['fast → ultrafast']);
+
+    assert.deepStrictEqual(plain(summary.records.filter(r => !r.warning).map(r => [r.name, r.passed])), [
+        ['"normal" scales linearly with the multiplier', false],
+        ['"normal" multiplier doesn\'t affect other speeds', true],
+        ['"fast" scales linearly with the multiplier', false],
+        ['"fast" multiplier doesn\'t affect other speeds', false],
+        ['"ultrafast" scales linearly with the multiplier', false],
+        ['"ultrafast" multiplier doesn\'t affect other speeds', true]
+    ]);
+    assert.deepStrictEqual(plain(mock.state.speedMultipliers), { normal: 1, fast: 1, ultrafast: 1 }, 'unsupported speeds are left alone');
+    assert.strictEqual(mock.state.paused, true);
+});
+
+test('speed calibration restores speed, pause state and multipliers when a measurement throws', async ({ suite, mock }) => {
+    suite.getInGameTime = () => {
+        throw new Error('HUD clock gone');
+    };
+    mock.api.actions.setSpeed('fast');
+    Object.assign(suite, { CALIBRATION_SAMPLES: 1, CALIBRATION_SAMPLE_MS: 10 });
+    // Resetting one multiplier fails too
+    const setSpeedMultiplier = mock.api.actions.setSpeedMultiplier;
+    let failReset = false;
+    mock.api.actions.setSpeedMultiplier = (speed, multiplier) => {
+        if (failReset && speed === 'normal') throw new Error('multiplier locked');
+        setSpeedMultiplier(speed, multiplier);
+    };
+    const readClock = suite.readGameClock;
+    suite.readGameClock = function() {
+        failReset = true;
+        return readClock.call(this);
+    };
+
+    await assert.rejects(suite.calibrateSpeeds({ speeds: ['normal', 'fast', 'slow'] }), /HUD clock gone/);
+    assert.strictEqual(suite.calibration.running, false);
+    assert.deepStrictEqual([mock.state.speed, mock.state.paused], ['fast', true]);
+    assert.strictEqual(mock.state.speedMultipliers.fast, 1);
+});
+
+test('exports results as JUnit XML, TAP and JSON', async ({ window, suite }) => {
+    suite.suite('export', ({ test }) => {
+        test('passes', () => {});
+        test('fails <badly>', (t) => t.expect({ a: 1 }).toEqual({ a: 2 }));
+        test('two\nlines \x01', () => {});
+    }, { title: 'Export & Co' });
+    for (const test of suite.suites.export.tests) {
+        await suite.enqueue(test);
+    }
+
+    const report = suite.buildReport();
+    assert.deepStrictEqual(plain(report.summary), { passed: 2, failed: 1, total: 3 });
+    assert.strictEqual(report.tests[1].status, 'failed');
+    assert.strictEqual(typeof report.tests[1].duration, 'number');
+
+    const xml = new window.DOMParser().parseFromString(suite.formatJUnit(report), 'application/xml');
+    assert.strictEqual(xml.querySelector('parsererror'), null);
+    assert.strictEqual(xml.querySelector('testsuite').getAttribute('name'), 'Export & Co');
+    assert.strictEqual(xml.querySelectorAll('testcase').length, 3);
+    assert.strictEqual(xml.querySelectorAll('testcase')[2].getAttribute('name'), 'two lines ', 'control characters are stripped');
+    assert.match(xml.querySelector('failure').textContent, /a: expected 2, received 1/);
+
+    const tap = suite.formatTAP(report).split('\n');
+    assert.ok(tap.includes('1..3'));
+    assert.ok(tap.includes('ok 1 - export: passes'));
+    assert.ok(tap.includes('not ok 2 - export: fails <badly>'));
+    assert.ok(tap.includes('ok 3 - export: two lines \x01'), 'newlines in names stay on the test line');
+});
+
+test('saves each Run All to history and compares runs', async ({ suite, mock }) => {
+    let flaky = true;
+    // Run only this suite so the built-in tests don't slow the runner down
+    suite.suites = {};
+    suite.suite('history', ({ test }) => {
+        test('stable', () => {});
+        test('flips', (t) => t.record('flips', flaky));
+    });
+
+    mock.loadSave('Commute', 'NYC');
+    await suite.runAll();
+    flaky = false;
+    await suite.runAll();
+
+    const stored = await mock.api.storage.get(suite.HISTORY_KEY);
+    assert.strictEqual(stored.length, 2);
+    assert.strictEqual(stored[1].cityCode, 'NYC');
+    assert.strictEqual(stored[1].saveName, 'Commute');
+
+    const comparison = suite.compareRuns(stored[0], stored[1]);
+    assert.deepStrictEqual(plain(comparison.regressed.map(e => e.name)), ['flips']);
+    assert.deepStrictEqual(plain(comparison.unchanged.map(e => e.name)), ['stable']);
+});
+
+test('ui primitives render, fire callbacks and are removed', async ({ suite }) => {
+    for (const test of suite.suites.ui.tests) {
+        await suite.enqueue(test);
+    }
+
+    const results = Object.fromEntries(suite.categories.ui.tests.map(t => [t.name, t]));
+    for (const name of ['addButton', 'addToggle', 'addSlider']) {
+        assert.strictEqual(results[`${name} renders into DOM`].passed, true, name);
+        assert.strictEqual(results[`${name} callback fires`].passed, true, results[`${name} callback fires`].details);
+        assert.strictEqual(results[`${name} removal takes it out of the DOM`].passed, true, name);
+    }
+    // The mock's floating panel never renders, so it can't be found
+    assert.strictEqual(results['addFloatingPanel renders into DOM'].passed, false);
+    assert.strictEqual(results['All api.ui.add* primitives have a test'].passed, true);
+});
+
+test('reports API members removed or changed since the baseline', async ({ window, suite, mock }) => {
+    const surfaceTest = suite.suites.apiSurface.tests.find(t => t.name === 'API surface matches baseline');
+    window.SelectorRegistry.setGameVersion('0.12.0');
+
+    await suite.enqueue(surfaceTest);
+    const baselines = await mock.api.storage.get(suite.SURFACE_BASELINES_KEY);
+    assert.strictEqual(baselines['0.12.0'].members['actions.setMoney'].type, 'function');
+    assert.strictEqual(baselines['0.12.0'].members['utils.React'].type, 'object');
+    assert.strictEqual(baselines['0.12.0'].members['utils.React.createElement'], undefined);
+
+    delete mock.api.actions.setMoney;
+    mock.api.actions.setSpeed = (speed, multiplier) => {};
+    mock.api.actions.teleport = () => {};
+    await suite.enqueue(surfaceTest);
+
+    const results = Object.fromEntries(suite.categories.apiSurface.tests.map(t => [t.name, t]));
+    assert.strictEqual(results['No API members removed'].passed, false);
+    assert.deepStrictEqual(plain(results['No API members removed'].diff),
+        [{ path: 'actions.setMoney', expected: 'function/1', actual: '(missing)' }]);
+    assert.deepStrictEqual(plain(results['No API member signatures changed'].diff),
+        [{ path: 'actions.setSpeed', expected: 'function/1', actual: 'function/2' }]);
+    assert.strictEqual(results['API additions'].details, '1 new: actions.teleport');
+
+    // Another build gets its own baseline instead of another build's regressions
+    window.SelectorRegistry.setGameVersion('0.13.0');
+    const summary = await suite.enqueue(surfaceTest);
+    assert.deepStrictEqual(plain(summary.records.map(r => [r.name, r.passed])), [['API surface baseline recorded', true]]);
+    assert.match(summary.records[0].details, /^No baseline for game 0\.13\.0 yet; saved \d+ members\. Not compared with other builds' baselines \(0\.12\.0\)$/);
+
+    // Without a version, differences are shown but not counted as regressions
+    window.SelectorRegistry.setGameVersion(null);
+    await suite.enqueue(surfaceTest);
+    mock.api.actions.teleport2 = () => {};
+    delete mock.api.actions.teleport;
+    const unknown = await suite.enqueue(surfaceTest);
+    assert.deepStrictEqual(plain(unknown.records.map(r => [r.name, r.passed, !!r.warning])), [
+        ['No API members removed', true, true],
+        ['No API member signatures changed', true, false],
+        ['API additions', true, false]
+    ]);
+    assert.match(unknown.records[0].details, /unknown game version/);
+});
+
+test('reloadMods() disposes the previous copy and leaves nothing behind', async ({ window, document, suite, mock }) => {
+    mock.loadCity('NYC');
+    const reloadTest = suite.getTests().find(t => t.name === 'reloadMods()');
+    const summary = await suite.enqueue(reloadTest);
+
+    const failures = plain(summary.records.filter(r => !r.passed).map(r => `${r.name}: ${r.details}`));
+    assert.deepStrictEqual(failures, []);
+    assert.match(summary.records.find(r => r.name === 'Storage values written before reloadMods() are still there').details,
+        /after reload \(script load #2\)$/);
+    assert.notStrictEqual(window.APITestSuite, suite);
+    assert.strictEqual(suite.disposed, true);
+    assert.strictEqual(document.querySelectorAll('#lifecycle-monitor').length, 1);
+});
+
+test('reports what survives reloadMods() when a copy is not disposed', async ({ window, suite, mock }) => {
+    const detector = window.LeakDetector;
+    window.LifecycleMonitor.dispose = () => {};
+    const before = detector.snapshot();
+    await mock.api.reloadMods();
+
+    const survived = detector.survivors(before);
+    assert.strictEqual(survived.intervals.length, 1);
+    assert.strictEqual(survived.observers.length, 1);
+    assert.deepStrictEqual(plain(survived.listeners.map(detector.describe)), ['document "click" (capture) (load #1)']);
+    assert.deepStrictEqual(plain(survived.nodes.map(node => node.id)), ['lifecycle-monitor']);
+
+    const reloaded = window.LifecycleMonitor;
+    await waitFor(() => reloaded.getCurrentState() === reloaded.STATES.API_READY);
+    mock.advanceDay();
+    const firing = detector.survivors(before, before.at);
+    assert.strictEqual(firing.hookFiresObserved, true);
+    assert.strictEqual(firing.hooks.length, 0);
+});
+
+test('leak tracking ignores the game\'s own timers and listeners, and each copy puts the natives back', async ({ window, mock }) => {
+    const before = window.LeakDetector.snapshot();
+    const id = window.setInterval(() => {}, 1000);
+    window.document.addEventListener('keydown', () => {});
+    const after = window.LeakDetector.snapshot();
+    assert.deepStrictEqual([after.intervals.length, after.listeners.length], [before.intervals.length, before.listeners.length]);
+    window.clearInterval(id);
+
+    const first = { setInterval: window.setInterval, addEventListener: window.EventTarget.prototype.addEventListener };
+    await mock.api.reloadMods();
+    const second = { setInterval: window.setInterval, addEventListener: window.EventTarget.prototype.addEventListener };
+    assert.notStrictEqual(second.setInterval, first.setInterval);
+
+    window.LeakDetector.dispose();
+    assert.ok(![first.setInterval, second.setInterval].includes(window.setInterval), 'reloads don\'t stack wrappers');
+    assert.ok(![first.addEventListener, second.addEventListener].includes(window.EventTarget.prototype.addEventListener));
+});
+
+test('scenario driver plays the whole matrix and every scenario is detected', async ({ window, suite, mock }) => {
+    renderGame(window, mock, ['Commute', 'Rush Hour']);
+    const matrix = suite.getTests().find(t => t.name === 'Scenario matrix');
+    const summary = await suite.enqueue(matrix);
+
+    assert.deepStrictEqual(plain(summary.records.map(r => `${r.passed ? 'ok' : 'FAIL'} ${r.name}: ${r.details}`)), [
+        'ok Load Save from Menu detected: Detected by LifecycleMonitor',
+        'ok Load Save from Menu event sequence: Matched',
+        'ok In Game → Reload Same Save detected: Detected by LifecycleMonitor',
+        'ok In Game → Reload Same Save event sequence: Matched',
+        'ok In Game → Load Different Save detected: Detected by LifecycleMonitor',
+        'ok In Game → Load Different Save event sequence: Matched',
+        'ok New Game from Menu detected: Detected by LifecycleMonitor',
+        'ok New Game from Menu event sequence: Matched'
+    ]);
+});
+
+test('selector health flags missing and ambiguous selectors per context, and versions fall back to older markup', async ({ window, document, suite, mock }) => {
+    const registry = window.SelectorRegistry;
+    renderGame(window, mock, ['Commute', 'Rush Hour']);
+    click(window, [...document.querySelectorAll('button')].find(b => b.textContent === 'Load/Save'));
+    await waitFor(() => registry.getHealth().load_save_screen, 3000);
+
+    // One save lost its name, and a second load screen is left over
+    document.querySelector('.panel-blur .font-black').remove();
+    document.body.insertAdjacentHTML('beforeend', '<main class="grid gap-8 min-h-screen"></main>');
+
+    const [healthTest] = suite.suites.selectors.tests;
+    const summary = await suite.enqueue(healthTest);
+    const lines = plain(summary.records.map(r => `${r.warning ? 'WARN' : r.passed ? 'ok' : 'FAIL'} ${r.name}: ${r.details}`));
+    assert.deepStrictEqual(lines, [
+        'ok Current screen recognised: Context: load_save_screen',
+        'FAIL load_save_screen: loadSaveScreen: Matched 2 with main.grid.gap-8.min-h-screen; expected one (game unknown)',
+        'ok load_save_screen: saveBlock: Matched 2 with .relative.panel-blur (game unknown)',
+        'FAIL load_save_screen: saveName: Matched 0/1 (per parent) (tried: .text-base.font-black) (game unknown)',
+        'WARN main_menu: not run: Not on this screen now; open it, then run the test again',
+        'WARN in_game_menu: not run: Not on this screen now; open it, then run the test again',
+        'WARN in_game: not run: Not on this screen now; open it, then run the test again'
+    ]);
+
+    // Back in game, the load screen's earlier problems aren't reported as failures again
+    document.body.lastElementChild.remove();
+    click(window, [...document.querySelectorAll('button')].filter(b => b.textContent === 'Load').pop());
+    await waitFor(() => window.LifecycleMonitor.getContext() === 'in_game', 3000);
+    const later = await suite.enqueue(healthTest);
+    const loadScreen = later.records.find(r => r.name.startsWith('load_save_screen'));
+    assert.deepStrictEqual(plain([loadScreen.name, loadScreen.passed, loadScreen.warning]), ['load_save_screen: not run', true, true]);
+    assert.match(loadScreen.details, /\(last seen .*: 2 problem\(s\)\)$/);
+    assert.ok(!later.records.some(r => r.name.startsWith('load_save_screen:') && !r.passed));
+
+    // A newer build's markup is tried first; the old selectors stay as a fallback
+    registry.setGameVersion('2.1.3');
+    registry.register('2.1', { mainMenu: 'main[data-screen="menu"]' });
+    assert.deepStrictEqual(plain(registry.candidates('mainMenu')), ['main[data-screen="menu"]', 'main.justify-center']);
+    document.body.insertAdjacentHTML('beforeend', '<main data-screen="menu"></main>');
+    assert.strictEqual(registry.query('mainMenu').dataset.screen, 'menu');
+    registry.setGameVersion('2.0');
+    assert.deepStrictEqual(plain(registry.candidates('mainMenu')), ['main.justify-center']);
+    assert.throws(() => registry.register('2.1', { lobby: 'main' }), /Unknown selector key: lobby/);
+});
+
+test('MOD_VERSION matches manifest.json', async ({ suite }) => {
+    const manifest = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'manifest.json'), 'utf8'));
+    assert.strictEqual(suite.MOD_VERSION, manifest.version);
+});
+
+// ============================================================================
+// RUN
+// ============================================================================
+
+(async () => {
+    let failed = 0;
+    console.log(`TAP version 13\n1..${tests.length}`);
+
+    for (const [index, { name, fn }] of tests.entries()) {
+        const context = await loadMod();
+        try {
+            await fn(context);
+            console.log(`ok ${index + 1} - ${name}`);
+        } catch (error) {
+            failed++;
+            console.log(`not ok ${index + 1} - ${name}`);
+            console.log(`  # ${error.message.split('\n').join('\n  # ')}`);
+        } finally {
+            context.closing = true;
+            context.window.close();
+        }
+    }
+
+    console.log(`# ${tests.length - failed}/${tests.length} passed`);
+    process.exit(failed > 0 ? 1 : 0);
+})();